@@ -2,6 +2,41 @@
  * This file is provided by the webext-support repository at
  * https://github.com/thunderbird/webext-support
  *
+ * Version 1.12
+ * - added exportArchive() and importArchive()
+ *
+ * Version 1.11
+ * - added getUsage() and setQuota()
+ *
+ * Version 1.10
+ * - added onChanged event
+ *
+ * Version 1.9
+ * - added pickFileForRead() and pickFileForSave(), returning one-time handles
+ *   for files outside of the folder of the add-on, which are accepted by
+ *   readFile() and writeFile()
+ *
+ * Version 1.8
+ * - added appendFile(), with optional size-based rotation
+ *
+ * Version 1.7
+ * - added readJSON() and writeJSON(), which write atomically and keep rotating
+ *   backups
+ *
+ * Version 1.6
+ * - validate all file and folder names and reject names pointing outside of
+ *   the folder of the add-on
+ * - fix readFile() not awaiting the existence check
+ * - writeFile() creates missing parent folders
+ *
+ * Version 1.5
+ * - added encoding parameter to readFile() and writeFile(), to support binary
+ *   and base64 encoded content
+ *
+ * Version 1.4
+ * - added listDirectory(), makeDirectory(), removeFile(), removeDirectory(),
+ *   exists() and stat()
+ *
  * Version 1.3
  * - adjusted to TB128 (no longer loading Services and ExtensionCommon)
  * - use ChromeUtils.importESModule()
@@ -31,28 +66,736 @@ var { ExtensionUtils } = ChromeUtils.importESModule(
   "resource://gre/modules/ExtensionUtils.sys.mjs"
 );
 var { ExtensionError } = ExtensionUtils;
+var { setInterval, clearInterval } = ChromeUtils.importESModule(
+  "resource://gre/modules/Timer.sys.mjs"
+);
+
+Cu.importGlobalProperties(["IOUtils", "PathUtils", "TextEncoder", "atob", "btoa"]);
+
+function bytesToBase64(bytes) {
+  // Convert in chunks, to not exceed the maximum number of function arguments.
+  let chunks = [];
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    chunks.push(String.fromCharCode(...bytes.subarray(i, i + 0x8000)));
+  }
+  return btoa(chunks.join(""));
+}
+
+function base64ToBytes(data) {
+  let binary;
+  try {
+    binary = atob(data);
+  } catch (ex) {
+    throw new ExtensionError(`Provided data is not base64 encoded`)
+  }
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+// Collects all files inside the given folder (including sub-folders) as a map
+// of relative path -> IOUtils file info.
+async function scanDirectory(dirPath, prefix = "", files = new Map()) {
+  let children;
+  try {
+    children = await IOUtils.getChildren(dirPath);
+  } catch (ex) {
+    return files;
+  }
+  for (let childPath of children) {
+    let info;
+    try {
+      info = await IOUtils.stat(childPath);
+    } catch (ex) {
+      // Removed while scanning.
+      continue;
+    }
+    let name = `${prefix}${PathUtils.filename(childPath)}`;
+    if (info.type == "directory") {
+      await scanDirectory(childPath, `${name}/`, files);
+    } else {
+      files.set(name, info);
+    }
+  }
+  return files;
+}
+
+function getFile(path) {
+  let file = Cc["@mozilla.org/file/local;1"].createInstance(Ci.nsIFile);
+  file.initWithPath(path);
+  return file;
+}
 
-Cu.importGlobalProperties(["IOUtils", "PathUtils"]);
+function getUniqueId() {
+  return Services.uuid.generateUUID().toString().slice(1, -1);
+}
+
+function getTempPath() {
+  return PathUtils.join(PathUtils.tempDir, `FileSystemAPI-${getUniqueId()}.zip`);
+}
+
+// File flags used by nsIZipWriter.
+const PR_RDWR = 0x04;
+const PR_CREATE_FILE = 0x08;
+const PR_TRUNCATE = 0x20;
+
+// Interval in ms, in which the folder of the add-on is checked for changes.
+const POLL_INTERVAL = 2000;
+
+// Periodically scans a folder and notifies its listeners about created,
+// modified and deleted files.
+class FileWatcher {
+  constructor(baseDir) {
+    this.baseDir = baseDir;
+    this.listeners = new Set();
+    this.files = null;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  addListener(listener) {
+    this.listeners.add(listener);
+    if (!this.timer) {
+      this.timer = setInterval(() => this.poll(), POLL_INTERVAL);
+      this.poll();
+    }
+  }
+
+  removeListener(listener) {
+    this.listeners.delete(listener);
+    if (this.listeners.size == 0) {
+      this.stop();
+    }
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.files = null;
+  }
+
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+    try {
+      let files = new Map();
+      for (let [name, info] of await scanDirectory(this.baseDir)) {
+        files.set(name, `${info.size}:${info.lastModified}`);
+      }
+      if (!this.timer) {
+        // Stopped while scanning.
+        return;
+      }
+
+      // The first scan only records the current state.
+      if (this.files) {
+        let changes = [];
+        for (let [name, state] of files) {
+          if (!this.files.has(name)) {
+            changes.push([name, "created"]);
+          } else if (this.files.get(name) != state) {
+            changes.push([name, "modified"]);
+          }
+        }
+        for (let name of this.files.keys()) {
+          if (!files.has(name)) {
+            changes.push([name, "deleted"]);
+          }
+        }
+        for (let [name, changeType] of changes) {
+          for (let listener of this.listeners) {
+            listener(name, changeType);
+          }
+        }
+      }
+      this.files = files;
+    } finally {
+      this.polling = false;
+    }
+  }
+}
 
 var FileSystem = class extends ExtensionCommon.ExtensionAPI {
   getAPI(context) {
+    const baseDir = PathUtils.join(PathUtils.profileDir, "FileSystemAPI", context.extension.id);
+    const pickedFiles = new Map();
+    if (!this.fileWatcher) {
+      this.fileWatcher = new FileWatcher(baseDir);
+    }
+    const fileWatcher = this.fileWatcher;
+    const getQuota = () => this.quota ?? null;
+    const setQuota = bytes => {
+      this.quota = bytes;
+    };
+
+    // Returns the segments of the given file or folder name. Names are relative
+    // paths, using "/" as separator. Empty segments and "." segments are
+    // ignored, everything which could point outside of the folder of the add-on
+    // is rejected. An empty name points to the folder of the add-on itself,
+    // which is only allowed if requested.
+    function getParts(name, allowBaseDir = false) {
+      if (name.startsWith("/") || /^[a-zA-Z]:/.test(name)) {
+        throw new ExtensionError(`Invalid name "${name}": absolute paths are not allowed`)
+      }
+      if (name.includes("\\")) {
+        throw new ExtensionError(`Invalid name "${name}": use "/" as path separator`)
+      }
+      if (/[\x00-\x1F:*?"<>|]/.test(name)) {
+        throw new ExtensionError(`Invalid name "${name}": contains forbidden characters`)
+      }
+
+      let parts = name.split("/").filter(part => part && part != ".");
+      if (parts.includes("..")) {
+        throw new ExtensionError(`Invalid name "${name}": ".." segments are not allowed`)
+      }
+      if (!parts.length && !allowBaseDir) {
+        throw new ExtensionError(`Invalid name "${name}": a file name is required`)
+      }
+      return parts;
+    }
+
+    // Returns the absolute path of the given file or folder inside the folder
+    // of the add-on.
+    function getPath(name, allowBaseDir = false) {
+      let parts = getParts(name, allowBaseDir);
+      return parts.length ? PathUtils.join(baseDir, ...parts) : baseDir;
+    }
+
+    async function extractArchive(zipReader, policy) {
+      // Validate all entries, before anything is written.
+      let entries = [];
+      for (let entryName of zipReader.findEntries("*")) {
+        let entry = zipReader.getEntry(entryName);
+        if (entry.isDirectory) {
+          continue;
+        }
+        let parts = getParts(entryName);
+        let name = parts.join("/");
+        entries.push({ entryName, parts, name, path: getPath(name), size: entry.realSize });
+      }
+
+      let usage = await getUsage();
+      let existing = policy == "replace" ? {} : usage.files;
+      let exists = entry => Object.hasOwn(existing, entry.name);
+      if (policy == "fail") {
+        let conflict = entries.find(exists);
+        if (conflict) {
+          throw new ExtensionError(`File "${conflict.name}" already exists`)
+        }
+      }
+
+      // A file cannot be extracted, if one of its parent folders is a file, or
+      // if a folder with the same name exists.
+      let names = new Set(entries.map(entry => entry.name));
+      for (let entry of entries) {
+        for (let i = 1; i < entry.parts.length; i++) {
+          let parent = entry.parts.slice(0, i).join("/");
+          if (names.has(parent) || Object.hasOwn(existing, parent)) {
+            throw new ExtensionError(`Cannot import "${entry.name}": "${parent}" is a file`)
+          }
+        }
+        if (
+          policy != "replace" &&
+          (await IOUtils.exists(entry.path)) &&
+          (await getType(entry.path, entry.name)) == "directory"
+        ) {
+          throw new ExtensionError(`Cannot import "${entry.name}": a folder with the same name exists`)
+        }
+      }
+
+      let quota = getQuota();
+      if (quota !== null) {
+        let total = policy == "replace" ? 0 : usage.total;
+        for (let entry of entries) {
+          if (!exists(entry)) {
+            total += entry.size;
+          } else if (policy == "overwrite") {
+            total += entry.size - existing[entry.name];
+          }
+        }
+        if (total > quota) {
+          throw new ExtensionError(
+            `Importing the archive would exceed the storage quota of ${quota} bytes (${total} bytes needed)`
+          )
+        }
+      }
+
+      let report = { imported: [], skipped: [] };
+      if (policy == "replace") {
+        await replaceFromArchive(zipReader, entries);
+        report.imported = entries.map(entry => entry.name);
+        return report;
+      }
+      for (let entry of entries) {
+        if (policy == "skip" && exists(entry)) {
+          report.skipped.push(entry.name);
+          continue;
+        }
+        await makeParentDirectory(entry.path);
+        await IOUtils.remove(entry.path);
+        zipReader.extract(entry.entryName, getFile(entry.path));
+        report.imported.push(entry.name);
+      }
+      return report;
+    }
+
+    // Extracts all entries into a staging folder, which replaces the folder of
+    // the add-on only after all files have been written. The existing files are
+    // kept, if the extraction fails.
+    async function replaceFromArchive(zipReader, entries) {
+      let stagingDir = `${baseDir}.import-${getUniqueId()}`;
+      let previousDir = `${baseDir}.previous-${getUniqueId()}`;
+      try {
+        await IOUtils.makeDirectory(stagingDir, { createAncestors: true });
+        for (let entry of entries) {
+          let path = PathUtils.join(stagingDir, ...entry.parts);
+          await makeParentDirectory(path);
+          zipReader.extract(entry.entryName, getFile(path));
+        }
+      } catch (ex) {
+        await IOUtils.remove(stagingDir, { recursive: true });
+        throw ex;
+      }
+
+      let hasPrevious = await IOUtils.exists(baseDir);
+      if (hasPrevious) {
+        await IOUtils.move(baseDir, previousDir);
+      }
+      try {
+        await IOUtils.move(stagingDir, baseDir);
+      } catch (ex) {
+        if (hasPrevious) {
+          await IOUtils.move(previousDir, baseDir);
+        }
+        await IOUtils.remove(stagingDir, { recursive: true });
+        throw ex;
+      }
+      if (hasPrevious) {
+        await IOUtils.remove(previousDir, { recursive: true });
+      }
+    }
+
+    // Opens the native file picker and returns a handle for the chosen file, or
+    // null if the user cancelled the picker.
+    async function pickFile(mode, options) {
+      let window = Services.wm.getMostRecentWindow(null);
+      if (!window) {
+        throw new ExtensionError(`Cannot open the file picker without an open window`)
+      }
+      let fp = Cc["@mozilla.org/filepicker;1"].createInstance(Ci.nsIFilePicker);
+      fp.init(
+        window.browsingContext,
+        options.title ?? "",
+        mode == "read" ? Ci.nsIFilePicker.modeOpen : Ci.nsIFilePicker.modeSave
+      );
+      for (let filter of options.filters ?? []) {
+        fp.appendFilter(
+          filter.title,
+          filter.extensions.map(extension => `*.${extension}`).join("; ")
+        );
+      }
+      fp.appendFilters(Ci.nsIFilePicker.filterAll);
+      if (options.defaultName) {
+        fp.defaultString = options.defaultName;
+      }
+
+      let rv = await new Promise(resolve => fp.open(resolve));
+      if (rv == Ci.nsIFilePicker.returnCancel || !fp.file) {
+        return null;
+      }
+
+      let handle = {
+        id: Services.uuid.generateUUID().toString(),
+        name: fp.file.leafName,
+        mode,
+      };
+      pickedFiles.set(handle.id, { path: fp.file.path, mode });
+      return handle;
+    }
+
+    // Returns the path of a file chosen via pickFile(). Handles can only be
+    // used once and only for the access mode they have been created for.
+    function usePickedFile(handle, mode) {
+      let pickedFile = pickedFiles.get(handle.id);
+      if (!pickedFile || pickedFile.mode != mode) {
+        throw new ExtensionError(`Invalid or already used file handle for "${handle.name}"`)
+      }
+      pickedFiles.delete(handle.id);
+      return pickedFile.path;
+    }
+
+    function makeParentDirectory(path) {
+      return IOUtils.makeDirectory(PathUtils.parent(path), {
+        createAncestors: true,
+        ignoreExisting: true,
+      });
+    }
+
+    // Returns the data to be written, either as string (utf-8) or as Uint8Array.
+    function encodeData(data, encoding) {
+      switch (encoding) {
+        case "binary":
+          if (typeof data == "string") {
+            throw new ExtensionError(`Binary data must be an ArrayBuffer or an Uint8Array`)
+          }
+          return new Uint8Array(data);
+        case "base64":
+          if (typeof data != "string") {
+            throw new ExtensionError(`Base64 encoded data must be a string`)
+          }
+          return base64ToBytes(data);
+        default:
+          if (typeof data != "string") {
+            throw new ExtensionError(`UTF-8 encoded data must be a string`)
+          }
+          return data;
+      }
+    }
+
+    function writeData(path, data, options = {}) {
+      return typeof data == "string"
+        ? IOUtils.writeUTF8(path, data, options)
+        : IOUtils.write(path, data, options);
+    }
+
+    function getByteLength(data) {
+      return typeof data == "string"
+        ? new TextEncoder().encode(data).byteLength
+        : data.byteLength;
+    }
+
+    async function getUsage() {
+      let usage = { total: 0, files: {}, quota: getQuota() };
+      for (let [name, info] of await scanDirectory(baseDir)) {
+        usage.files[name] = info.size;
+        usage.total += info.size;
+      }
+      return usage;
+    }
+
+    // Throws, if adding the given number of bytes would exceed the quota. The
+    // size of a file which is going to be replaced is not counted.
+    async function checkQuota(name, addedBytes, replacedPath = null) {
+      let quota = getQuota();
+      if (quota === null) {
+        return;
+      }
+      let { total } = await getUsage();
+      if (replacedPath && await IOUtils.exists(replacedPath)) {
+        total -= (await IOUtils.stat(replacedPath)).size;
+      }
+      if (total + addedBytes > quota) {
+        throw new ExtensionError(
+          `Writing "${name}" would exceed the storage quota of ${quota} bytes (${total + addedBytes} bytes needed)`
+        )
+      }
+    }
+
+    async function getType(path, name) {
+      try {
+        let info = await IOUtils.stat(path);
+        return info.type == "directory" ? "directory" : "file";
+      } catch (ex) {
+        throw new ExtensionError(`File or folder "${name}" does not exist`)
+      }
+    }
+
     return {
       FileSystem: {
+        onChanged: new ExtensionCommon.EventManager({
+          context,
+          name: "FileSystem.onChanged",
+          register: (fire) => {
+            function listener(path, changeType) {
+              fire.async(path, changeType);
+            }
+            fileWatcher.addListener(listener);
+            return () => {
+              fileWatcher.removeListener(listener);
+            };
+          },
+        }).api(),
+
+        async readFile(filename, encoding = "utf-8") {
+          let isHandle = typeof filename != "string";
+          let name = isHandle ? filename.name : filename;
+          let filePath = isHandle
+            ? usePickedFile(filename, "read")
+            : getPath(filename);
+          if ((await getType(filePath, name)) != "file") {
+            throw new ExtensionError(`"${name}" is not a file`)
+          }
+          switch (encoding) {
+            case "binary":
+              return IOUtils.read(filePath);
+            case "base64":
+              return bytesToBase64(await IOUtils.read(filePath));
+            default:
+              return IOUtils.readUTF8(filePath)
+          }
+        },
 
-        readFile(filename) {
-          let filePath = PathUtils.join(PathUtils.profileDir, "FileSystemAPI", context.extension.id, filename);
-          if (IOUtils.exists(filePath)) {
-            return IOUtils.readUTF8(filePath)
+        async writeFile(filename, data, encoding = "utf-8") {
+          let encoded = encodeData(data, encoding);
+          if (typeof filename != "string") {
+            return writeData(usePickedFile(filename, "save"), encoded);
           }
-          throw new ExtensionError(`File at "${filePath}" does not exist`)
+          let filePath = getPath(filename);
+          await checkQuota(filename, getByteLength(encoded), filePath);
+          await makeParentDirectory(filePath);
+          return writeData(filePath, encoded);
+        },
+
+        pickFileForRead(options = {}) {
+          return pickFile("read", options);
         },
 
-        writeFile(filename, data) {
-          let filePath = PathUtils.join(PathUtils.profileDir, "FileSystemAPI", context.extension.id, filename);
-          return IOUtils.writeUTF8(filePath, data)
+        pickFileForSave(options = {}) {
+          return pickFile("save", options);
+        },
+
+        async appendFile(filename, data, encoding = "utf-8", rotation = null) {
+          let filePath = getPath(filename);
+          let encoded = encodeData(data, encoding);
+          await checkQuota(filename, getByteLength(encoded));
+          await makeParentDirectory(filePath);
+          let rv = await writeData(filePath, encoded, {
+            mode: "appendOrCreate",
+          });
+
+          // Roll over, once the file has reached its maximum size: file.1 is
+          // the most recent generation.
+          if (rotation && (await IOUtils.stat(filePath)).size >= rotation.maxSize) {
+            let generations = rotation.generations ?? 1;
+            if (generations > 0) {
+              await IOUtils.remove(`${filePath}.${generations}`);
+              for (let i = generations - 1; i > 0; i--) {
+                if (await IOUtils.exists(`${filePath}.${i}`)) {
+                  await IOUtils.move(`${filePath}.${i}`, `${filePath}.${i + 1}`);
+                }
+              }
+              await IOUtils.move(filePath, `${filePath}.1`);
+            } else {
+              await IOUtils.remove(filePath);
+            }
+          }
+          return rv;
+        },
+
+        async readJSON(filename) {
+          let filePath = getPath(filename);
+          let candidates = [filePath];
+          for (let i = 1; await IOUtils.exists(`${filePath}.bak${i}`); i++) {
+            candidates.push(`${filePath}.bak${i}`);
+          }
+
+          for (let candidate of candidates) {
+            try {
+              return await IOUtils.readJSON(candidate);
+            } catch (ex) {
+              // Missing or corrupt, try the next backup.
+            }
+          }
+          throw new ExtensionError(`File "${filename}" does not exist or is not valid JSON`)
+        },
+
+        async writeJSON(filename, data, backups = 1) {
+          let filePath = getPath(filename);
+          let json = JSON.stringify(data);
+          if (json === undefined) {
+            throw new ExtensionError(`Provided data cannot be serialized to JSON`)
+          }
+          // The previous version is kept as backup and is therefore not
+          // replaced, if backups are enabled.
+          await checkQuota(
+            filename,
+            getByteLength(json),
+            backups > 0 ? null : filePath
+          );
+          await makeParentDirectory(filePath);
+
+          // Rotate backups: file.bak1 is the most recent one.
+          if (backups > 0 && await IOUtils.exists(filePath)) {
+            await IOUtils.remove(`${filePath}.bak${backups}`);
+            for (let i = backups - 1; i > 0; i--) {
+              if (await IOUtils.exists(`${filePath}.bak${i}`)) {
+                await IOUtils.move(`${filePath}.bak${i}`, `${filePath}.bak${i + 1}`);
+              }
+            }
+            await IOUtils.copy(filePath, `${filePath}.bak1`);
+          }
+
+          // Write into a temporary file, which replaces the actual file only
+          // after it has been written completely.
+          await IOUtils.writeUTF8(filePath, json, {
+            tmpPath: `${filePath}.tmp`,
+            flush: true,
+          });
+        },
+
+        getUsage() {
+          return getUsage();
+        },
+
+        setQuota(bytes) {
+          setQuota(bytes);
+        },
+
+        async exportArchive(options = {}) {
+          let include = (options.include ?? []).map(
+            name => getParts(name, true).join("/")
+          );
+          let files = [...(await scanDirectory(baseDir)).keys()].filter(
+            name => !include.length || include.some(
+              prefix => !prefix || name == prefix || name.startsWith(`${prefix}/`)
+            )
+          );
+
+          let archivePath = options.handle
+            ? usePickedFile(options.handle, "save")
+            : getTempPath();
+          let zipWriter = Cc["@mozilla.org/zipwriter;1"].createInstance(Ci.nsIZipWriter);
+          try {
+            zipWriter.open(
+              getFile(archivePath),
+              PR_RDWR | PR_CREATE_FILE | PR_TRUNCATE
+            );
+            try {
+              for (let name of files) {
+                zipWriter.addEntryFile(
+                  name,
+                  Ci.nsIZipWriter.COMPRESSION_DEFAULT,
+                  getFile(getPath(name)),
+                  false
+                );
+              }
+            } finally {
+              zipWriter.close();
+            }
+            if (!options.handle) {
+              return await IOUtils.read(archivePath);
+            }
+            return null;
+          } finally {
+            if (!options.handle) {
+              await IOUtils.remove(archivePath);
+            }
+          }
+        },
+
+        async importArchive(source, options = {}) {
+          let policy = options.policy ?? "fail";
+          let isHandle = typeof source.id == "string";
+          let archivePath = isHandle
+            ? usePickedFile(source, "read")
+            : getTempPath();
+          if (!isHandle) {
+            await IOUtils.write(archivePath, new Uint8Array(source));
+          }
+
+          let zipReader = Cc["@mozilla.org/libjar/zip-reader;1"].createInstance(Ci.nsIZipReader);
+          try {
+            try {
+              zipReader.open(getFile(archivePath));
+            } catch (ex) {
+              throw new ExtensionError(`The provided archive is not a valid ZIP file`)
+            }
+            try {
+              return await extractArchive(zipReader, policy);
+            } finally {
+              zipReader.close();
+            }
+          } finally {
+            if (!isHandle) {
+              await IOUtils.remove(archivePath);
+            }
+          }
+        },
+
+        async listDirectory(dirname = "") {
+          let dirPath = getPath(dirname, true);
+          if (!(await IOUtils.exists(dirPath))) {
+            // The folder of the add-on is only created on first write.
+            if (dirPath == baseDir) {
+              return [];
+            }
+            throw new ExtensionError(`Folder "${dirname}" does not exist`)
+          }
+          if ((await getType(dirPath, dirname)) != "directory") {
+            throw new ExtensionError(`"${dirname}" is not a folder`)
+          }
+
+          let entries = [];
+          for (let childPath of await IOUtils.getChildren(dirPath)) {
+            entries.push({
+              name: PathUtils.filename(childPath),
+              type: await getType(childPath, dirname),
+            });
+          }
+          return entries;
+        },
+
+        makeDirectory(dirname) {
+          let dirPath = getPath(dirname, true);
+          return IOUtils.makeDirectory(dirPath, {
+            createAncestors: true,
+            ignoreExisting: true,
+          });
+        },
+
+        async removeFile(filename) {
+          let filePath = getPath(filename);
+          if ((await getType(filePath, filename)) != "file") {
+            throw new ExtensionError(`"${filename}" is not a file`)
+          }
+          return IOUtils.remove(filePath);
+        },
+
+        async removeDirectory(dirname, recursive = false) {
+          let dirPath = getPath(dirname, true);
+          if (dirPath == baseDir) {
+            throw new ExtensionError(`Cannot remove the folder of the add-on`)
+          }
+          if ((await getType(dirPath, dirname)) != "directory") {
+            throw new ExtensionError(`"${dirname}" is not a folder`)
+          }
+          try {
+            await IOUtils.remove(dirPath, { recursive });
+          } catch (ex) {
+            throw new ExtensionError(`Folder "${dirname}" could not be removed: ${ex.message}`)
+          }
+        },
+
+        exists(filename) {
+          let filePath = getPath(filename, true);
+          return IOUtils.exists(filePath);
+        },
+
+        async stat(filename) {
+          let filePath = getPath(filename, true);
+          let type = await getType(filePath, filename);
+          let info = await IOUtils.stat(filePath);
+          return {
+            type,
+            size: info.size,
+            lastModified: info.lastModified,
+          };
         },
 
       }
     };
   }
+
+  onShutdown(isAppShutdown) {
+    if (isAppShutdown) {
+      return; // the application gets unloaded anyway
+    }
+
+    if (this.fileWatcher) {
+      this.fileWatcher.stop();
+      this.fileWatcher = null;
+    }
+  }
 };
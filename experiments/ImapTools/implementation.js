@@ -2,6 +2,24 @@
  * This file is provided by the webext-support repository at
  * https://github.com/thunderbird/webext-support
  *
+ * Version 1.8
+ * - added getMessageIdentity() and resolveMessageIdentity()
+ *
+ * Version 1.7
+ * - added getServerInfo()
+ *
+ * Version 1.6
+ * - added getServerKeywords() and setServerKeywords()
+ *
+ * Version 1.5
+ * - added getImapUIDs()
+ *
+ * Version 1.4
+ * - added getFolderImapInfo()
+ *
+ * Version 1.3
+ * - added getMessageByImapUID() and getMessagesByImapUIDs()
+ *
  * Version 1.2
  * - adjusted to TB128 (no longer loading Services and ExtensionCommon)
  * - use ChromeUtils.importESModule()
@@ -31,19 +49,408 @@ var { ExtensionUtils } = ChromeUtils.importESModule(
   "resource://gre/modules/ExtensionUtils.sys.mjs"
 );
 var { ExtensionError } = ExtensionUtils;
+var { MailServices } = ChromeUtils.importESModule(
+  "resource:///modules/MailServices.sys.mjs"
+);
+
+// Message flags, which Thunderbird stores as IMAP flags on the server.
+const SERVER_FLAGS = [
+  [Ci.nsMsgMessageFlags.Read, "\\Seen"],
+  [Ci.nsMsgMessageFlags.Replied, "\\Answered"],
+  [Ci.nsMsgMessageFlags.Marked, "\\Flagged"],
+  [Ci.nsMsgMessageFlags.IMAPDeleted, "\\Deleted"],
+  [Ci.nsMsgMessageFlags.Forwarded, "$Forwarded"],
+];
+
+// Capability flags, which Thunderbird stores after it has negotiated the
+// capabilities with the server (see eIMAPCapabilityFlag in nsImapCore.h). The
+// stored server pref only holds the lower 32 bits, flags like SPECIAL-USE are
+// therefore not available.
+const CAPABILITY_DEFINED = 0x00000001;
+const CAPABILITIES = [
+  [0x00000002, "AUTH=LOGIN"],
+  [0x00000004, "LOGIN"],
+  [0x00000008, "XSENDER"],
+  [0x00000010, "IMAP4"],
+  [0x00000020, "IMAP4rev1"],
+  [0x00000100, "ACL"],
+  [0x00000200, "NAMESPACE"],
+  [0x00000400, "ID"],
+  [0x00000800, "XSERVERINFO"],
+  [0x00001000, "AUTH=PLAIN"],
+  [0x00002000, "UIDPLUS"],
+  [0x00004000, "LITERAL+"],
+  [0x00008000, "XAOL-OPTION"],
+  [0x00010000, "LANGUAGE"],
+  [0x00020000, "AUTH=CRAM-MD5"],
+  [0x00040000, "QUOTA"],
+  [0x00080000, "IDLE"],
+  [0x00100000, "AUTH=NTLM"],
+  [0x00200000, "AUTH=MSN"],
+  [0x00400000, "STARTTLS"],
+  [0x00800000, "AUTH=NONE"],
+  [0x01000000, "AUTH=GSSAPI"],
+  [0x02000000, "CONDSTORE"],
+  [0x04000000, "ENABLE"],
+  [0x08000000, "XLIST"],
+  [0x10000000, "COMPRESS=DEFLATE"],
+  [0x20000000, "AUTH=EXTERNAL"],
+  [0x40000000, "MOVE"],
+  [0x80000000, "HIGHESTMODSEQ"],
+];
+
+// Namespaces are stored as comma separated list of quoted prefixes.
+function parseNamespaces(value, delimiter) {
+  return [...(value || "").matchAll(/"((?:[^"\\]|\\.)*)"/g)]
+    .map(match => match[1].replace(/\\(.)/g, "$1"))
+    .map(prefix => ({
+      prefix,
+      // Namespace prefixes usually end with the hierarchy delimiter.
+      delimiter: prefix && !/[a-zA-Z0-9]$/.test(prefix)
+        ? prefix.slice(-1)
+        : delimiter,
+    }));
+}
 
 var ImapTools = class extends ExtensionCommon.ExtensionAPI {
   getAPI(context) {
+    function getImapMsgHdr(aID) {
+      let msgHdr = context.extension.messageManager.get(aID);
+      if (!msgHdr) {
+        throw new ExtensionError(`Message with id ${aID} does not exist.`);
+      }
+      if (msgHdr.folder.server.type == "imap") {
+        return msgHdr;
+      }
+      throw new ExtensionError(
+        `Message with id ${aID} is not an IMAP message.`
+      );
+    }
+
+    function getImapUID(aID) {
+      return getImapMsgHdr(aID).messageKey;
+    }
+
+    function getKeywords(msgHdr) {
+      return msgHdr.getStringProperty("keywords").split(" ").filter(Boolean);
+    }
+
+    function validateKeyword(keyword) {
+      if (keyword.startsWith("\\")) {
+        throw new ExtensionError(
+          `System flag ${keyword} cannot be changed as keyword.`
+        );
+      }
+      // Keywords are case-insensitive.
+      if (SERVER_FLAGS.some(([, name]) => name.toLowerCase() == keyword.toLowerCase())) {
+        throw new ExtensionError(
+          `Flag ${keyword} is managed by Thunderbird and cannot be changed as keyword.`
+        );
+      }
+      // Keywords are IMAP atoms.
+      if (!keyword || /[\x00-\x20\x7F(){%*"\\\]]/.test(keyword)) {
+        throw new ExtensionError(`Invalid IMAP keyword "${keyword}".`);
+      }
+    }
+
+    function getImapServer(accountId) {
+      let account = MailServices.accounts.getAccount(accountId);
+      if (!account) {
+        throw new ExtensionError(`Account with id ${accountId} does not exist.`);
+      }
+      let server = account.incomingServer;
+      if (server.type != "imap") {
+        throw new ExtensionError(
+          `Account with id ${accountId} is not an IMAP account.`
+        );
+      }
+      return server;
+    }
+
+    // Folder ids are "<accountId>:/<path>".
+    function getFolder(folderId) {
+      let pos = folderId.indexOf(":/");
+      let folder = null;
+      if (pos > 0) {
+        let accountId = folderId.substring(0, pos);
+        let path = folderId.substring(pos + 1).replace(/^\/*/, "/");
+        folder = context.extension.folderManager.get(accountId, path);
+      }
+      if (!folder) {
+        throw new ExtensionError(`Folder with id ${folderId} does not exist.`);
+      }
+      return folder;
+    }
+
+    function getImapFolder(folderId) {
+      let folder = getFolder(folderId);
+      if (folder.server.type != "imap") {
+        throw new ExtensionError(
+          `Folder with id ${folderId} is not an IMAP folder.`
+        );
+      }
+      return folder;
+    }
+
+    // The UIDVALIDITY is only known after the folder has been selected on the
+    // server at least once. The database stores it as a signed 32-bit value,
+    // with -1 (unknown) and 0 (never set) as sentinels, while the IMAP value is
+    // an unsigned 32-bit number.
+    function getUidValidity(folder) {
+      let uidValidity = folder.msgDatabase.dBFolderInfo.ImapUidValidity;
+      if (uidValidity == -1 || uidValidity == 0) {
+        return null;
+      }
+      return uidValidity >>> 0;
+    }
+
+    function getMessageIdentity(msgHdr) {
+      let folder = msgHdr.folder;
+      let accountId = MailServices.accounts.findAccountForServer(folder.server).key;
+      let identity = {
+        accountId,
+        folderId: context.extension.folderManager.convert(folder, accountId).id,
+        type: folder.server.type,
+        messageId: msgHdr.messageId,
+      };
+      if (identity.type == "imap") {
+        identity.serverPath = folder.QueryInterface(Ci.nsIMsgImapMailFolder).onlineName;
+        identity.uidValidity = getUidValidity(folder);
+        identity.uid = msgHdr.messageKey;
+      } else {
+        identity.messageKey = msgHdr.messageKey;
+        identity.storeToken = msgHdr.storeToken;
+      }
+      return identity;
+    }
+
+    // Looks up the message in the folder it has been stored in, when the
+    // identity was created. Returns null, if it is no longer there.
+    function findByLocation(identity) {
+      let folder;
+      try {
+        folder = getFolder(identity.folderId);
+      } catch (ex) {
+        return null;
+      }
+      if (folder.server.type != identity.type) {
+        return null;
+      }
+      let key = identity.type == "imap" ? identity.uid : identity.messageKey;
+      if (key == null) {
+        return null;
+      }
+      // A UID can only be trusted, if the UIDVALIDITY is known on both sides
+      // and has not changed.
+      if (identity.type == "imap") {
+        let uidValidity = getUidValidity(folder);
+        if (
+          identity.uidValidity == null ||
+          uidValidity == null ||
+          identity.uidValidity != uidValidity
+        ) {
+          return null;
+        }
+      }
+      if (!folder.msgDatabase.containsKey(key)) {
+        return null;
+      }
+      let msgHdr = folder.msgDatabase.getMsgHdrForKey(key);
+      if (
+        (identity.messageId && msgHdr.messageId != identity.messageId) ||
+        (identity.type != "imap" && identity.storeToken && msgHdr.storeToken != identity.storeToken)
+      ) {
+        return null;
+      }
+      return msgHdr;
+    }
+
+    // Searches the message by its Message-ID, starting with the folder it has
+    // been stored in, when the identity was created, followed by the other
+    // folders of its account. Folders of other accounts are only searched, if
+    // searchAllFolders is set.
+    function findByMessageId(identity, searchAllFolders) {
+      let folders = [];
+      let account = MailServices.accounts.getAccount(identity.accountId);
+      if (account) {
+        folders = account.incomingServer.rootFolder.descendants;
+      }
+      if (searchAllFolders) {
+        let accountFolders = new Set(folders);
+        folders = [
+          ...folders,
+          ...MailServices.accounts.allFolders.filter(f => !accountFolders.has(f)),
+        ];
+      }
+      try {
+        let originalFolder = getFolder(identity.folderId);
+        folders = [originalFolder, ...folders.filter(f => f != originalFolder)];
+      } catch (ex) {
+        // Folder no longer exists.
+      }
+      // Skip folders without messages.
+      folders = folders.filter(folder =>
+        !folder.isServer &&
+        !(folder.flags & (Ci.nsMsgFolderFlags.Virtual | Ci.nsMsgFolderFlags.ImapNoselect))
+      );
+
+      for (let folder of folders) {
+        let wasOpen = folder.databaseOpen;
+        let msgHdr = null;
+        try {
+          msgHdr = folder.msgDatabase.getMsgHdrForMessageID(identity.messageId);
+        } catch (ex) {
+          // Database not available.
+        }
+        if (msgHdr) {
+          return msgHdr;
+        }
+        // Do not keep databases open, which have only been opened for the
+        // search.
+        if (!wasOpen) {
+          folder.msgDatabase = null;
+        }
+      }
+      return null;
+    }
+
+    // Returns the MessageHeader of the message with the given UID, or null if
+    // the message is not stored in the local database of the folder.
+    function getMessageByUID(folder, uid) {
+      let db = folder.msgDatabase;
+      if (!db.containsKey(uid)) {
+        return null;
+      }
+      let msgHdr = db.getMsgHdrForKey(uid);
+      return context.extension.messageManager.convert(msgHdr);
+    }
+
     return {
       ImapTools: {
         getImapUID(aID) {
-          let msgHdr = context.extension.messageManager.get(aID);
-          if (msgHdr.folder.server.type == "imap") {
-            return msgHdr.messageKey;
+          return getImapUID(aID);
+        },
+        getImapUIDs(messageIDs) {
+          let rv = {};
+          for (let messageID of messageIDs) {
+            try {
+              rv[messageID] = { uid: getImapUID(messageID) };
+            } catch (ex) {
+              rv[messageID] = { error: ex.message };
+            }
+          }
+          return rv;
+        },
+        getServerKeywords(messageID) {
+          let msgHdr = getImapMsgHdr(messageID);
+          let flags = SERVER_FLAGS
+            .filter(([flag]) => msgHdr.flags & flag)
+            .map(([, name]) => name);
+          return {
+            keywords: getKeywords(msgHdr),
+            flags,
+          };
+        },
+        setServerKeywords(messageID, add, remove) {
+          let msgHdr = getImapMsgHdr(messageID);
+          add.forEach(validateKeyword);
+          remove.forEach(validateKeyword);
+          // Keywords are changed locally and on the server.
+          if (add.length) {
+            msgHdr.folder.addKeywordsToMessages([msgHdr], add.join(" "));
+          }
+          if (remove.length) {
+            msgHdr.folder.removeKeywordsFromMessages([msgHdr], remove.join(" "));
+          }
+          return getKeywords(msgHdr);
+        },
+        getServerInfo(accountId) {
+          let server = getImapServer(accountId);
+          let imapServer = server.QueryInterface(Ci.nsIImapIncomingServer);
+          let inbox = server.rootFolder
+            .getFolderWithFlags(Ci.nsMsgFolderFlags.Inbox)
+            ?.QueryInterface(Ci.nsIMsgImapMailFolder);
+
+          // Capabilities are only known after the first connection.
+          let capabilityFlags = server.getIntValue("capability");
+          let capabilities = capabilityFlags & CAPABILITY_DEFINED
+            ? CAPABILITIES
+              .filter(([flag]) => capabilityFlags & flag)
+              .map(([, name]) => name)
+            : null;
+
+          let delimiter = inbox ? inbox.hierarchyDelimiter : null;
+          let quota = (inbox?.getQuota() ?? []).map(entry => ({
+            root: entry.name,
+            usage: entry.usage,
+            limit: entry.limit,
+          }));
+
+          return {
+            capabilities,
+            hierarchyDelimiter: delimiter,
+            namespaces: {
+              personal: parseNamespaces(imapServer.personalNamespace, delimiter),
+              otherUsers: parseNamespaces(imapServer.otherUsersNamespace, delimiter),
+              shared: parseNamespaces(imapServer.publicNamespace, delimiter),
+            },
+            quota,
+          };
+        },
+        getMessageIdentity(messageID) {
+          let msgHdr = context.extension.messageManager.get(messageID);
+          if (!msgHdr) {
+            throw new ExtensionError(`Message with id ${messageID} does not exist.`);
+          }
+          // For example opened .eml files or attached messages.
+          if (!msgHdr.folder) {
+            throw new ExtensionError(
+              `Message with id ${messageID} is not stored in a folder.`
+            );
+          }
+          return getMessageIdentity(msgHdr);
+        },
+        resolveMessageIdentity(identity, options = {}) {
+          let msgHdr = findByLocation(identity);
+          if (!msgHdr && identity.messageId) {
+            msgHdr = findByMessageId(identity, !!options.searchAllFolders);
           }
-          throw new ExtensionError(
-            `Message with id ${aID} is not an IMAP message.`
-          );
+          return msgHdr
+            ? context.extension.messageManager.convert(msgHdr)
+            : null;
+        },
+        getMessageByImapUID(folderId, uid) {
+          let folder = getImapFolder(folderId);
+          return getMessageByUID(folder, uid);
+        },
+        getMessagesByImapUIDs(folderId, uids) {
+          let folder = getImapFolder(folderId);
+          return uids.map(uid => getMessageByUID(folder, uid));
+        },
+        getFolderImapInfo(folderId) {
+          let folder = getImapFolder(folderId);
+          let imapFolder = folder.QueryInterface(Ci.nsIMsgImapMailFolder);
+          let imapServer = folder.server.QueryInterface(Ci.nsIImapIncomingServer);
+          let folderInfo = folder.msgDatabase.dBFolderInfo;
+
+          // The values are only known after the folder has been selected on
+          // the server at least once.
+          let uidNext = folderInfo.getUint32Property("nextUID", 0);
+          let highestModSeq = imapServer.useCondStore
+            ? folderInfo.getCharProperty("highestModSeq")
+            : "";
+          return {
+            uidValidity: getUidValidity(folder),
+            uidNext: uidNext > 0 ? uidNext : null,
+            highestModSeq: highestModSeq || null,
+            serverPath: imapFolder.onlineName,
+            hierarchyDelimiter: imapFolder.hierarchyDelimiter,
+            // If subscriptions are used, only subscribed folders (and their
+            // parents, which cannot be selected) are kept locally.
+            subscribed: imapServer.usingSubscription
+              ? !folder.isServer && !(folder.flags & Ci.nsMsgFolderFlags.ImapNoselect)
+              : null,
+          };
         },
       }
     };
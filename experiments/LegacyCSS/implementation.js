@@ -2,6 +2,16 @@
  * This file is provided by the webext-support repository at
  * https://github.com/thunderbird/webext-support
  *
+ * Version 1.10
+ * - added remove() and removeAll(), to remove injected CSS files at runtime
+ *
+ * Version 1.9
+ * - added register() and unregister(), to automatically inject CSS files into
+ *   matching windows, when they are opened
+ *
+ * Version 1.8
+ * - inject() accepts match patterns (using * as wildcard) and arrays of urls
+ *
  * Version 1.7
  * - fix missing tracker reference (contributed by @mlazdans)
  *   https://github.com/thunderbird/webext-support/pull/77
@@ -65,15 +75,43 @@
     throw new Error("Window ignored");
   }
 
+  // Returns all nested browsers of the given window.
+  function getNestedBrowsers(window) {
+    let browsers = [];
+    browsers = browsers.concat(...window.document.getElementsByTagName("browser"));
+    browsers = browsers.concat(...window.document.getElementsByTagName("xul:browser"));
+    return browsers;
+  }
+
+  // Checks if the given url matches one of the given patterns. Patterns are
+  // either exact urls, or contain * as wildcard for any number of characters
+  // (e.g. "chrome://messenger/content/messengercompose/*" or "about:*").
+  function matchesUrl(url, patterns) {
+    return [].concat(patterns).some(pattern => {
+      if (!pattern.includes("*")) {
+        return url === pattern;
+      }
+      let regex = pattern
+        .split("*")
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+        .join(".*");
+      return new RegExp(`^${regex}$`).test(url);
+    });
+  }
+
   var tracker;
 
   class Tracker {
     constructor(extension) {
       this.cssInjectionTracker = new WeakMap();
+      // CSS files injected by inject(), which are kept on unregister().
+      this.explicitInjectionTracker = new WeakMap();
       this.windowOpenListener = new ExtensionCommon.EventEmitter();
       this.chromeHandle = null;
       this.resourceData = [];
       this.extension = extension;
+      this.registrations = new Map();
+      this.nextRegistrationId = 1;
     }
 
     get hasRegisteredChromeUrl() {
@@ -154,14 +192,18 @@
         window.gTabmail.registerTabMonitor(this.tabMonitor);
       }
 
+      // Apply registered CSS files.
+      for (let { urlPattern, path } of this.registrations.values()) {
+        if (matchesUrl(window.location.href, urlPattern)) {
+          this.injectCssFile(window, path);
+        }
+      }
+
       // Notify WebExtension.
       this.windowOpenListener.emit("window-opened", window.location.href);
 
       // Scan for nested browsers.
-      let browsers = [];
-      browsers = browsers.concat(...window.document.getElementsByTagName("browser"));
-      browsers = browsers.concat(...window.document.getElementsByTagName("xul:browser"));
-      browsers.map(browser => this.notifyOnOpenedListener(browser.contentWindow));
+      getNestedBrowsers(window).map(browser => this.notifyOnOpenedListener(browser.contentWindow));
     }
 
     trackCssFile(window, cssFile) {
@@ -175,8 +217,139 @@
       return cssFiles.includes(cssFile);
     }
 
+    untrackCssFile(window, cssFile) {
+      let cssFiles = this.cssInjectionTracker.get(window) || [];
+      this.cssInjectionTracker.set(window, cssFiles.filter(f => f != cssFile));
+      let explicitCssFiles = this.explicitInjectionTracker.get(window) || [];
+      this.explicitInjectionTracker.set(window, explicitCssFiles.filter(f => f != cssFile));
+    }
+
     untrackAllCssFiles(window) {
       this.cssInjectionTracker.delete(window);
+      this.explicitInjectionTracker.delete(window);
+    }
+
+    hasExplicitCssFile(window, cssFile) {
+      let cssFiles = this.explicitInjectionTracker.get(window) || [];
+      return cssFiles.includes(cssFile);
+    }
+
+    injectCssFile(window, path, explicit = false) {
+      if (explicit && !this.hasExplicitCssFile(window, path)) {
+        let cssFiles = this.explicitInjectionTracker.get(window) || [];
+        cssFiles.push(path);
+        this.explicitInjectionTracker.set(window, cssFiles);
+      }
+      if (this.hasCssFile(window, path)) {
+        return;
+      }
+      let element = window.document.createElement("link");
+      element.dataset.cssInjected = this.instanceId;
+      element.setAttribute("rel", "stylesheet");
+      element.setAttribute("href", path);
+      window.document.documentElement.appendChild(element);
+      this.trackCssFile(window, path);
+    }
+
+    removeCssFile(window, path) {
+      Array.from(
+        window.document.querySelectorAll(
+          `[data-css-injected="${this.instanceId}"]`
+        ),
+        element => {
+          if (element.getAttribute("href") == path) {
+            element.remove();
+          }
+        }
+      );
+      this.untrackCssFile(window, path);
+    }
+
+    removeAllCssFiles(window) {
+      Array.from(
+        window.document.querySelectorAll(
+          `[data-css-injected="${this.instanceId}"]`
+        ),
+        element => element.remove()
+      );
+      this.untrackAllCssFiles(window);
+    }
+
+    // Calls the callback for all open windows and their nested browsers.
+    forEachOpenWindow(callback) {
+      const visitWindow = window => {
+        if (!window || !window.document) {
+          return;
+        }
+        callback(window);
+
+        // Scan for nested browsers.
+        getNestedBrowsers(window).map(browser => visitWindow(browser.contentWindow));
+      }
+      Array.from(Services.wm.getEnumerator(null), visitWindow);
+    }
+
+    // Injects the CSS file into all open windows (and their nested browsers),
+    // which match the given url pattern. Explicit injections are not removed
+    // by unregister(). Injections for a registration are skipped, if it has
+    // been removed while waiting for a window to load.
+    injectIntoOpenWindows(urlPattern, path, { explicit = false, registrationId = null } = {}) {
+      const injectIntoWindow = async window => {
+        // Wait till window is fully loaded.
+        try {
+          await waitForLoad(window);
+        } catch (ex) {
+          return;
+        };
+
+        if (registrationId !== null && !this.registrations.has(registrationId)) {
+          return;
+        }
+
+        // Inject CSS if window is a match.
+        if (matchesUrl(window.location.href, urlPattern)) {
+          this.injectCssFile(window, path, explicit);
+        }
+
+        // Scan for nested browsers.
+        return Promise.all(
+          getNestedBrowsers(window).map(browser => injectIntoWindow(browser.contentWindow))
+        );
+      }
+      Array.from(Services.wm.getEnumerator(null), injectIntoWindow);
+    }
+
+    addRegistration(urlPattern, path) {
+      let id = this.nextRegistrationId++;
+      this.registrations.set(id, { urlPattern, path });
+      this.injectIntoOpenWindows(urlPattern, path, { registrationId: id });
+      return id;
+    }
+
+    removeRegistration(id) {
+      let registration = this.registrations.get(id);
+      if (!registration) {
+        return false;
+      }
+      this.registrations.delete(id);
+
+      // Keep the CSS file in windows, which are still covered by a different
+      // registration of the same file, or into which it was injected by
+      // inject().
+      let remaining = [...this.registrations.values()]
+        .filter(r => r.path == registration.path)
+        .map(r => r.urlPattern);
+      this.forEachOpenWindow(window => {
+        let url = window.location.href;
+        if (
+          matchesUrl(url, registration.urlPattern) &&
+          !matchesUrl(url, remaining.flat()) &&
+          !this.hasExplicitCssFile(window, registration.path)
+        ) {
+          this.removeCssFile(window, registration.path);
+        }
+      });
+      return true;
     }
   }
 
@@ -223,31 +396,29 @@
 
           async inject(url, cssFile) {
             let path = context.extension.rootURI.resolve(cssFile);
-            const injectIntoWindow = async window => {
-              // Wait till window is fully loaded.
-              try {
-                await waitForLoad(window);
-              } catch (ex) {
-                return;
-              };
+            tracker.injectIntoOpenWindows(url, path, { explicit: true });
+          },
+
+          async register(urlPattern, cssFile) {
+            let path = context.extension.rootURI.resolve(cssFile);
+            return tracker.addRegistration(urlPattern, path);
+          },
 
-              // Inject CSS if window is a match.
-              if (window.location.href === url && !tracker.hasCssFile(window, path)) {
-                let element = window.document.createElement("link");
-                element.dataset.cssInjected = tracker.instanceId;
-                element.setAttribute("rel", "stylesheet");
-                element.setAttribute("href", path);
-                window.document.documentElement.appendChild(element);
-                tracker.trackCssFile(window, path);
+          async unregister(id) {
+            return tracker.removeRegistration(id);
+          },
+
+          async remove(url, cssFile) {
+            let path = context.extension.rootURI.resolve(cssFile);
+            tracker.forEachOpenWindow(window => {
+              if (matchesUrl(window.location.href, url)) {
+                tracker.removeCssFile(window, path);
               }
+            });
+          },
 
-              // Scan for nested browsers.
-              let browsers = [];
-              browsers = browsers.concat(...window.document.getElementsByTagName("browser"));
-              browsers = browsers.concat(...window.document.getElementsByTagName("xul:browser"));
-              return Promise.all(browsers.map(browser => injectIntoWindow(browser.contentWindow)));
-            }
-            Array.from(Services.wm.getEnumerator(null), injectIntoWindow);
+          async removeAll() {
+            tracker.forEachOpenWindow(window => tracker.removeAllCssFiles(window));
           },
 
           registerChromeUrl(data) {
@@ -299,26 +470,10 @@
       ExtensionSupport.unregisterWindowListener(
         tracker.windowListenerId,
       );
-
-      const removeFromWindow = window => {
-        Array.from(
-          window.document.querySelectorAll(
-            `[data-css-injected="${tracker.instanceId}"]`
-          ),
-          element => element.remove()
-        );
-      }
+      tracker.registrations.clear();
 
       // Remove all injected CSS.
-      for (let window of Services.wm.getEnumerator(null)) {
-        removeFromWindow(window);
-
-        // Scan for nested browsers.
-        let browsers = [];
-        browsers = browsers.concat(...window.document.getElementsByTagName("browser"));
-        browsers = browsers.concat(...window.document.getElementsByTagName("xul:browser"));
-        browsers.map(browser => removeFromWindow(browser.contentWindow));
-      }
+      tracker.forEachOpenWindow(window => tracker.removeAllCssFiles(window));
 
       // Flush all caches
       Services.obs.notifyObservers(null, "startupcache-invalidate");
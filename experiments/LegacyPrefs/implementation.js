@@ -2,6 +2,33 @@
  * This file is provided by the webext-support repository at
  * https://github.com/thunderbird/webext-support
  *
+ * Version 1.19
+ * - setPref(), createPref() and setDefaultPref() validate the provided value
+ *   and throw errors with a reason code, instead of logging to the console
+ * - added json type, to store objects in string prefs
+ *
+ * Version 1.18
+ * - added resetBranch(), deleteBranch() and restoreSnapshot()
+ *
+ * Version 1.17
+ * - added getPrefInfo(), lockPref(), unlockPref(), getLocalizedPref() and
+ *   setLocalizedPref()
+ * - setPref() throws for locked prefs
+ *
+ * Version 1.16
+ * - added loadDefaultsFile()
+ *
+ * Version 1.15
+ * - added collectBranch(), used by the preferences module to migrate a branch
+ *   into storage.local
+ *
+ * Version 1.14
+ * - onChanged event supports multiple listeners per branch and notifies
+ *   listeners of nested branches as well
+ *
+ * Version 1.13
+ * - added getBranch() and getChildList()
+ *
  * Version 1.12
  * - added createPref(), proposed by Axel Grude
  * 
@@ -51,44 +78,364 @@ var { ExtensionUtils } = ChromeUtils.importESModule(
   "resource://gre/modules/ExtensionUtils.sys.mjs"
 );
 var { ExtensionError } = ExtensionUtils;
+var { NetUtil } = ChromeUtils.importESModule(
+  "resource://gre/modules/NetUtil.sys.mjs"
+);
+
+// The user value of a locked pref is kept, but it is not used: the effective
+// value of a locked pref is always its default value.
+function hasEffectiveUserValue(aName) {
+  return (
+    Services.prefs.prefHasUserValue(aName) && !Services.prefs.prefIsLocked(aName)
+  );
+}
+
+// Errors thrown by this API are prefixed by one of these reason codes.
+const ERROR_UNKNOWN_PREF = "UNKNOWN_PREF";
+const ERROR_TYPE_MISMATCH = "TYPE_MISMATCH";
+const ERROR_INVALID_VALUE = "INVALID_VALUE";
+const ERROR_LOCKED = "LOCKED";
+
+function prefError(code, message) {
+  return new ExtensionError(`${code}: ${message}`);
+}
+
+// Returns the pref type matching the given value, or null if the value cannot
+// be stored in a pref.
+function getValueType(aValue) {
+  switch (typeof aValue) {
+    case "string":
+      return "string";
+    case "boolean":
+      return "boolean";
+    case "number":
+      // Integer prefs are 32-bit signed integers.
+      if (Number.isInteger(aValue) && aValue >= -0x80000000 && aValue <= 0x7FFFFFFF) {
+        return "integer";
+      }
+  }
+  return null;
+}
+
+// Returns the type and the value to be stored for the given value. Values of
+// the json type are stored as string.
+function prepareValue(aName, aValue, aType) {
+  if (aType == "json") {
+    let json;
+    try {
+      json = JSON.stringify(aValue);
+    } catch (ex) {
+      // Handled below.
+    }
+    if (json === undefined) {
+      throw prefError(
+        ERROR_INVALID_VALUE,
+        `The provided value for legacy preference <${aName}> cannot be serialized to JSON.`
+      );
+    }
+    return { type: "string", value: json };
+  }
+
+  let valueType = getValueType(aValue);
+  if (!valueType) {
+    throw prefError(
+      ERROR_INVALID_VALUE,
+      `The provided value <${aValue}> for legacy preference <${aName}> is none of STRING, BOOLEAN or INTEGER (use the json type for other values).`
+    );
+  }
+  if (aType && aType != valueType) {
+    throw prefError(
+      ERROR_TYPE_MISMATCH,
+      `The provided value <${aValue}> for legacy preference <${aName}> is not of type <${aType}>.`
+    );
+  }
+  return { type: valueType, value: aValue };
+}
+
+// Parses the content of a prefs.js-style file, containing lines like
+// pref("name", value);. Returns all valid entries and all lines which could
+// not be parsed.
+function parsePrefsFile(content) {
+  let entries = [];
+  let errors = [];
+  let inComment = false;
+
+  let lines = content.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    let line = lines[i];
+    let pos = 0;
+
+    // Returns the string starting at the current position (which must be a
+    // quote), or throws.
+    const readString = () => {
+      let quote = line[pos++];
+      let value = "";
+      while (pos < line.length && line[pos] != quote) {
+        let c = line[pos++];
+        if (c != "\\") {
+          value += c;
+          continue;
+        }
+        let escaped = line[pos++];
+        switch (escaped) {
+          case "n":
+            value += "\n";
+            break;
+          case "r":
+            value += "\r";
+            break;
+          case "t":
+            value += "\t";
+            break;
+          case "x":
+          case "u": {
+            let length = escaped == "x" ? 2 : 4;
+            let hex = line.substr(pos, length);
+            if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length != length) {
+              throw new Error(`invalid escape sequence \\${escaped}${hex}`);
+            }
+            value += String.fromCharCode(parseInt(hex, 16));
+            pos += length;
+            break;
+          }
+          case undefined:
+            throw new Error("unterminated string");
+          default:
+            value += escaped;
+        }
+      }
+      if (pos >= line.length) {
+        throw new Error("unterminated string");
+      }
+      pos++;
+      return value;
+    };
+
+    const expect = regex => {
+      let match = regex.exec(line.substring(pos));
+      if (!match) {
+        return null;
+      }
+      pos += match[0].length;
+      return match;
+    };
+
+    try {
+      while (pos < line.length) {
+        if (inComment) {
+          let end = line.indexOf("*/", pos);
+          if (end == -1) {
+            pos = line.length;
+            continue;
+          }
+          inComment = false;
+          pos = end + 2;
+          continue;
+        }
+        if (expect(/^\s+/)) {
+          continue;
+        }
+        if (expect(/^\/\*/)) {
+          inComment = true;
+          continue;
+        }
+        if (expect(/^(\/\/|#)/)) {
+          break;
+        }
+
+        if (!expect(/^pref\s*\(\s*/)) {
+          throw new Error("expected pref(\"name\", value);");
+        }
+        if (!["\"", "'"].includes(line[pos])) {
+          throw new Error("expected quoted preference name");
+        }
+        let name = readString();
+        if (!expect(/^\s*,\s*/)) {
+          throw new Error("expected comma after preference name");
+        }
+        let value;
+        let match;
+        if (["\"", "'"].includes(line[pos])) {
+          value = readString();
+        } else if ((match = expect(/^(true|false)\b/))) {
+          value = match[1] == "true";
+        } else if ((match = expect(/^[+-]?\d+\b/))) {
+          value = parseInt(match[0], 10);
+          if (value < -0x80000000 || value > 0x7FFFFFFF) {
+            throw new Error(`integer value ${match[0]} is out of range`);
+          }
+        } else {
+          throw new Error("expected string, integer or boolean value");
+        }
+        if (!expect(/^\s*\)\s*;/)) {
+          throw new Error("expected \");\" after value");
+        }
+        entries.push({ name, value, line: i + 1 });
+      }
+    } catch (ex) {
+      errors.push({ line: i + 1, text: line, error: ex.message });
+    }
+  }
+  return { entries, errors };
+}
 
 var LegacyPrefs = class extends ExtensionCommon.ExtensionAPI {
   getAPI(context) {
 
-    class LegacyPrefsManager {
-      constructor() {
-        this.observedBranches = new Map();
+    // Observes a single branch and notifies all its listeners.
+    class BranchObserver {
+      constructor(manager, branch) {
+        this.manager = manager;
+        this.branch = branch;
+        this.listeners = new Set();
         this.QueryInterface = ChromeUtils.generateQI([
           "nsIObserver",
           "nsISupportsWeakReference",
         ])
       }
 
-      addObservedBranch(branch, fire) {
-        return this.observedBranches.set(branch, fire);
+      async observe(aSubject, aTopic, aData) {
+        if (aTopic == "nsPref:changed") {
+          let name = aData.substr(this.branch.length);
+          let value = await this.manager.getLegacyPref(aData);
+          for (let fire of this.listeners) {
+            fire(name, value);
+          }
+        }
+      }
+    }
+
+    class LegacyPrefsManager {
+      constructor() {
+        this.branchObservers = new Map();
       }
 
-      hasObservedBranch(branch) {
-        return this.observedBranches.has(branch);
+      // Each branch is observed only once, no matter how many listeners have
+      // been added for it. Listeners of nested branches are notified by the
+      // observers of their own branches.
+      addListener(branch, fire) {
+        let observer = this.branchObservers.get(branch);
+        if (!observer) {
+          observer = new BranchObserver(this, branch);
+          this.branchObservers.set(branch, observer);
+          Services.prefs
+            .getBranch(null)
+            .addObserver(branch, observer);
+        }
+        observer.listeners.add(fire);
       }
 
-      removeObservedBranch(branch) {
-        return this.observedBranches.delete(branch);
+      removeListener(branch, fire) {
+        let observer = this.branchObservers.get(branch);
+        if (!observer) {
+          return;
+        }
+        observer.listeners.delete(fire);
+        if (observer.listeners.size == 0) {
+          Services.prefs
+            .getBranch(null)
+            .removeObserver(branch, observer);
+          this.branchObservers.delete(branch);
+        }
       }
 
-      async observe(aSubject, aTopic, aData) {
-        if (aTopic == "nsPref:changed") {
-          let branch = [...this.observedBranches.keys()]
-            .reduce(
-              (p, c) => aData.startsWith(c) && (!p || c.length > p.length) ? c : p,
-              null
-            );
-          if (branch) {
-            let name = aData.substr(branch.length);
-            let value = await this.getLegacyPref(aData);
-            let fire = this.observedBranches.get(branch);
-            fire(name, value);
-          }
+      getLegacyPrefType(aName) {
+        switch (Services.prefs.getPrefType(aName)) {
+          case Services.prefs.PREF_STRING:
+            return "string";
+          case Services.prefs.PREF_INT:
+            return "integer";
+          case Services.prefs.PREF_BOOL:
+            return "boolean";
+        }
+        return null;
+      }
+
+      // Returns the names of all prefs of the given branch, without the
+      // branch prefix.
+      getLegacyChildList(aBranch, userPrefOnly = false) {
+        return Services.prefs
+          .getChildList(aBranch)
+          .filter(name => !userPrefOnly || hasEffectiveUserValue(name))
+          .map(name => name.substr(aBranch.length))
+          .sort();
+      }
+
+      async getLegacyBranch(aBranch, userPrefOnly = false) {
+        let branch = {};
+        for (let name of this.getLegacyChildList(aBranch, userPrefOnly)) {
+          branch[name] = {
+            value: await this.getLegacyPref(`${aBranch}${name}`, null, userPrefOnly),
+            type: this.getLegacyPrefType(`${aBranch}${name}`),
+          };
+        }
+        return branch;
+      }
+
+      async getLegacyJsonPref(aName, aFallback = null, userPrefOnly = true) {
+        let value = await this.getLegacyPref(aName, null, userPrefOnly);
+        if (value === null) {
+          return aFallback;
+        }
+        if (typeof value != "string") {
+          throw prefError(
+            ERROR_TYPE_MISMATCH,
+            `Legacy preference <${aName}> is not a string and cannot contain JSON.`
+          );
+        }
+        try {
+          return JSON.parse(value);
+        } catch (ex) {
+          throw prefError(
+            ERROR_INVALID_VALUE,
+            `Legacy preference <${aName}> does not contain valid JSON.`
+          );
+        }
+      }
+
+      // Throws, if an existing pref has a different type.
+      checkLegacyPrefType(aName, aType) {
+        let prefType = this.getLegacyPrefType(aName);
+        if (prefType && prefType != aType) {
+          throw prefError(
+            ERROR_TYPE_MISMATCH,
+            `Legacy preference <${aName}> is of type <${prefType}> and cannot store a value of type <${aType}>.`
+          );
+        }
+      }
+
+      // A snapshot contains all user values of a branch.
+      async getLegacySnapshot(aBranch) {
+        if (!aBranch) {
+          throw new ExtensionError(`The branch must not be empty.`);
+        }
+        return {
+          branch: aBranch,
+          prefs: await this.getLegacyBranch(aBranch, true),
+        };
+      }
+
+      setLegacyUserPref(aName, aType, aValue) {
+        switch (aType) {
+          case "string":
+            return Services.prefs.setStringPref(aName, aValue);
+          case "integer":
+            return Services.prefs.setIntPref(aName, aValue);
+          case "boolean":
+            return Services.prefs.setBoolPref(aName, aValue);
+        }
+        throw new Error(`Unknown type <${aType}>`);
+      }
+
+      setLegacyDefaultPref(aName, aValue) {
+        let defaults = Services.prefs.getDefaultBranch("");
+        switch (typeof aValue) {
+          case "string":
+            return defaults.setStringPref(aName, aValue);
+          case "number":
+            return defaults.setIntPref(aName, aValue);
+          case "boolean":
+            return defaults.setBoolPref(aName, aValue);
         }
       }
 
@@ -103,7 +450,7 @@ var LegacyPrefs = class extends ExtensionCommon.ExtensionAPI {
         }
 
         let value = aFallback;
-        if (!userPrefOnly || Services.prefs.prefHasUserValue(aName)) {
+        if (!userPrefOnly || hasEffectiveUserValue(aName)) {
           switch (prefType) {
             case Services.prefs.PREF_STRING:
               value = Services.prefs.getStringPref(aName, aFallback);
@@ -135,103 +482,253 @@ var LegacyPrefs = class extends ExtensionCommon.ExtensionAPI {
           context,
           name: "LegacyPrefs.onChanged",
           register: (fire, branch) => {
-            if (legacyPrefsManager.hasObservedBranch(branch)) {
-              throw new ExtensionError(`Cannot add more than one listener for branch "${branch}".`)
-            }
-            legacyPrefsManager.addObservedBranch(branch, fire.sync);
-            Services.prefs
-              .getBranch(null)
-              .addObserver(branch, legacyPrefsManager);
+            let listener = (name, value) => fire.sync(name, value);
+            legacyPrefsManager.addListener(branch, listener);
             return () => {
-              Services.prefs
-                .getBranch(null)
-                .removeObserver(branch, legacyPrefsManager);
-              legacyPrefsManager.removeObservedBranch(branch);
+              legacyPrefsManager.removeListener(branch, listener);
             };
           },
         }).api(),
 
         // only returns something, if a user pref value is set
-        getUserPref: async function (aName) {
+        getUserPref: async function (aName, aType) {
+          if (aType == "json") {
+            return await legacyPrefsManager.getLegacyJsonPref(aName);
+          }
           return await legacyPrefsManager.getLegacyPref(aName);
         },
 
         // returns the default value, if no user defined value exists,
         // and returns the fallback value, if the preference does not exist
-        getPref: async function (aName, aFallback = null) {
+        getPref: async function (aName, aFallback = null, aType) {
+          if (aType == "json") {
+            return await legacyPrefsManager.getLegacyJsonPref(aName, aFallback, false);
+          }
           return await legacyPrefsManager.getLegacyPref(aName, aFallback, false);
         },
 
+        // returns all prefs of the given branch as an object of
+        // name: { value, type } entries
+        getBranch: async function (aBranch, aOptions = {}) {
+          let userPrefOnly = aOptions.userOnly ?? false;
+          return legacyPrefsManager.getLegacyBranch(aBranch, userPrefOnly);
+        },
+
+        // returns the names of all prefs of the given branch
+        getChildList: async function (aBranch, aOptions = {}) {
+          let userPrefOnly = aOptions.userOnly ?? false;
+          return legacyPrefsManager.getLegacyChildList(aBranch, userPrefOnly);
+        },
+
         clearUserPref: function (aName) {
           Services.prefs.clearUserPref(aName);
         },
 
-        // creates a new pref
-        createPref: async function (aName, aValue) {
-          if (typeof aValue == "string") {
-              Services.prefs.setStringPref(aName, aValue);
-              return "string";
+        // clears all user values of the given branch and returns a snapshot
+        // of them
+        resetBranch: async function (aBranch) {
+          let snapshot = await legacyPrefsManager.getLegacySnapshot(aBranch);
+          for (let name of Object.keys(snapshot.prefs)) {
+            Services.prefs.clearUserPref(`${aBranch}${name}`);
           }
+          return snapshot;
+        },
 
-          if (typeof aValue == "boolean") {
-              Services.prefs.setBoolPref(aName, aValue);
-              return "boolean";
+        // removes all prefs of the given branch (including their default
+        // values) and returns a snapshot of their user values
+        deleteBranch: async function (aBranch) {
+          let snapshot = await legacyPrefsManager.getLegacySnapshot(aBranch);
+          Services.prefs.deleteBranch(aBranch);
+          return snapshot;
+        },
+
+        // restores the user values of a branch from a snapshot
+        restoreSnapshot: async function (aSnapshot) {
+          let { branch, prefs } = aSnapshot;
+          if (!branch) {
+            throw new ExtensionError(`The branch must not be empty.`);
           }
+          let report = { restored: [], failed: [] };
 
-          if (typeof aValue == "number" && Number.isSafeInteger(aValue)) {
-              Services.prefs.setIntPref(aName, aValue);
-              return "integer";
+          // Clear user values, which have been set after the snapshot was taken.
+          for (let name of legacyPrefsManager.getLegacyChildList(branch, true)) {
+            if (!Object.hasOwn(prefs, name)) {
+              Services.prefs.clearUserPref(`${branch}${name}`);
+            }
           }
-          console.error(
-            `The provided value <${aValue}> for the new legacy preference <${aName}> is none of STRING, BOOLEAN or INTEGER.`
-          );
-          return false;
+          for (let [name, { type, value }] of Object.entries(prefs)) {
+            try {
+              legacyPrefsManager.setLegacyUserPref(`${branch}${name}`, type, value);
+              report.restored.push(name);
+            } catch (ex) {
+              // For example if the pref has been recreated with a different type.
+              report.failed.push({ name, error: ex.message });
+            }
+          }
+          return report;
+        },
+
+        // collects all user values of the given branch, to be migrated into
+        // storage.local
+        collectBranch: async function (aBranch, aOptions = {}) {
+          let mapping = aOptions.mapping ?? {};
+          let report = { entries: [], skipped: [], failed: [] };
+          for (let name of legacyPrefsManager.getLegacyChildList(aBranch, true)) {
+            let pref = `${aBranch}${name}`;
+            let key = Object.hasOwn(mapping, name) ? mapping[name] : name;
+            if (key === null) {
+              report.skipped.push({ pref, key: null, reason: "excluded by mapping" });
+              continue;
+            }
+            if (!legacyPrefsManager.getLegacyPrefType(pref)) {
+              report.failed.push({ pref, key, error: "unsupported preference type" });
+              continue;
+            }
+            report.entries.push({ pref, key, value: await legacyPrefsManager.getLegacyPref(pref) });
+          }
+          return report;
+        },
+
+        // creates a new pref
+        createPref: async function (aName, aValue, aType) {
+          let { type, value } = prepareValue(aName, aValue, aType);
+          legacyPrefsManager.checkLegacyPrefType(aName, type);
+          legacyPrefsManager.setLegacyUserPref(aName, type, value);
+          return type;
         },
 
         // sets a pref
-        setPref: async function (aName, aValue) {
-          let prefType = Services.prefs.getPrefType(aName);
-          if (prefType == Services.prefs.PREF_INVALID) {
-            console.error(
-              `Unknown legacy preference <${aName}>, forgot to declare a default?.`
+        setPref: async function (aName, aValue, aType) {
+          let prefType = legacyPrefsManager.getLegacyPrefType(aName);
+          if (!prefType) {
+            throw prefError(
+              ERROR_UNKNOWN_PREF,
+              `Unknown legacy preference <${aName}>, forgot to declare a default?`
             );
-            return false;
+          }
+          if (Services.prefs.prefIsLocked(aName)) {
+            throw prefError(ERROR_LOCKED, `Legacy preference <${aName}> is locked.`);
           }
 
-          switch (prefType) {
-            case Services.prefs.PREF_STRING:
-              Services.prefs.setStringPref(aName, aValue);
-              return true;
-              break;
+          let { type, value } = prepareValue(aName, aValue, aType);
+          legacyPrefsManager.checkLegacyPrefType(aName, type);
+          legacyPrefsManager.setLegacyUserPref(aName, type, value);
+          return true;
+        },
 
-            case Services.prefs.PREF_INT:
-              Services.prefs.setIntPref(aName, aValue);
-              return true;
-              break;
+        setDefaultPref: async function (aName, aValue, aType) {
+          let { type, value } = prepareValue(aName, aValue, aType);
+          legacyPrefsManager.checkLegacyPrefType(aName, type);
+          return legacyPrefsManager.setLegacyDefaultPref(aName, value);
+        },
 
-            case Services.prefs.PREF_BOOL:
-              Services.prefs.setBoolPref(aName, aValue);
-              return true;
-              break;
+        // returns the state of a pref, or null if it does not exist
+        getPrefInfo: async function (aName) {
+          let type = legacyPrefsManager.getLegacyPrefType(aName);
+          if (!type) {
+            return null;
+          }
+          return {
+            type,
+            isLocked: Services.prefs.prefIsLocked(aName),
+            hasUserValue: Services.prefs.prefHasUserValue(aName),
+          };
+        },
 
-            default:
-              console.error(
-                `Legacy preference <${aName}> has an unknown type of <${prefType}>.`
-              );
+        // a locked pref always returns its default value, for example if it is
+        // set by an enterprise policy
+        lockPref: async function (aName) {
+          if (!legacyPrefsManager.getLegacyPrefType(aName)) {
+            throw prefError(ERROR_UNKNOWN_PREF, `Unknown legacy preference <${aName}>.`);
+          }
+          Services.prefs.lockPref(aName);
+        },
+
+        unlockPref: async function (aName) {
+          if (!legacyPrefsManager.getLegacyPrefType(aName)) {
+            throw prefError(ERROR_UNKNOWN_PREF, `Unknown legacy preference <${aName}>.`);
+          }
+          Services.prefs.unlockPref(aName);
+        },
+
+        // localized string prefs usually point to a properties file, which
+        // defines the actual value
+        getLocalizedPref: async function (aName, aFallback = null) {
+          if (legacyPrefsManager.getLegacyPrefType(aName) != "string") {
+            return aFallback;
+          }
+          try {
+            return Services.prefs.getComplexValue(aName, Ci.nsIPrefLocalizedString).data;
+          } catch (ex) {
+            return aFallback;
           }
-          return false;
         },
 
-        setDefaultPref: async function (aName, aValue) {
-          let defaults = Services.prefs.getDefaultBranch("");
-          switch (typeof aValue) {
-            case "string":
-              return defaults.setStringPref(aName, aValue);
-            case "number":
-              return defaults.setIntPref(aName, aValue);
-            case "boolean":
-              return defaults.setBoolPref(aName, aValue);
+        setLocalizedPref: async function (aName, aValue) {
+          if (!legacyPrefsManager.getLegacyPrefType(aName)) {
+            throw prefError(
+              ERROR_UNKNOWN_PREF,
+              `Unknown legacy preference <${aName}>, forgot to declare a default?`
+            );
+          }
+          if (Services.prefs.prefIsLocked(aName)) {
+            throw prefError(ERROR_LOCKED, `Legacy preference <${aName}> is locked.`);
+          }
+          legacyPrefsManager.checkLegacyPrefType(aName, "string");
+          let localized = Cc["@mozilla.org/pref-localizedstring;1"]
+            .createInstance(Ci.nsIPrefLocalizedString);
+          localized.data = aValue;
+          Services.prefs.setComplexValue(aName, Ci.nsIPrefLocalizedString, localized);
+        },
+
+        // registers all default values of a prefs.js-style file of the add-on
+        loadDefaultsFile: async function (aPath) {
+          let rootSpec = context.extension.rootURI.spec;
+          let spec = context.extension.rootURI.resolve(aPath);
+          if (!spec.startsWith(rootSpec)) {
+            throw new ExtensionError(`Defaults file "${aPath}" is not part of the add-on.`);
+          }
+
+          let content;
+          try {
+            content = await new Promise((resolve, reject) => {
+              NetUtil.asyncFetch(
+                { uri: spec, loadUsingSystemPrincipal: true },
+                (stream, status) => {
+                  if (!Components.isSuccessCode(status)) {
+                    reject(new Components.Exception("Loading failed", status));
+                    return;
+                  }
+                  try {
+                    resolve(NetUtil.readInputStreamToString(stream, stream.available(), {
+                      charset: "UTF-8",
+                    }));
+                  } catch (ex) {
+                    reject(ex);
+                  } finally {
+                    stream.close();
+                  }
+                }
+              );
+            });
+          } catch (ex) {
+            throw new ExtensionError(`Could not read defaults file "${aPath}".`);
+          }
+
+          let { entries, errors } = parsePrefsFile(content);
+          let lines = content.split(/\r?\n/);
+          let loaded = [];
+          for (let { name, value, line } of entries) {
+            try {
+              legacyPrefsManager.setLegacyDefaultPref(name, value);
+              loaded.push(name);
+            } catch (ex) {
+              // For example if the pref already exists with a different type.
+              errors.push({ line, text: lines[line - 1], error: ex.message });
+            }
           }
+          errors.sort((a, b) => a.line - b.line);
+          return { loaded, errors };
         },
       },
     };
@@ -5,7 +5,7 @@
  * For usage descriptions, please check:
  * https://github.com/thunderbird/webext-support/tree/master/modules/preferences
  *
- * Version 1.1
+ * Version 1.2
  *
  */
 
@@ -44,3 +44,66 @@ export async function getUserPref(name) {
 export async function setPref(name, value) {
     await browser.storage.local.set({ [name]: value });
 }
+
+// Move preferences of the given branch from the legacy pref system into the
+// local storage, using the LegacyPrefs Experiment. All values are written with
+// a single storage operation, the legacy prefs are only cleared after they have
+// been stored successfully.
+export async function migrateBranch(branch, options = {}) {
+    let { entries, skipped, failed } = await browser.LegacyPrefs.collectBranch(
+        branch,
+        { mapping: options.mapping ?? {} }
+    );
+    let report = { moved: [], skipped, failed };
+
+    if (options.onlyIfUnset && entries.length) {
+        let stored = await browser.storage.local.get(entries.map(e => e.key));
+        entries = entries.filter(entry => {
+            if (Object.hasOwn(stored, entry.key)) {
+                skipped.push({ pref: entry.pref, key: entry.key, reason: "already set" });
+                return false;
+            }
+            return true;
+        });
+    }
+
+    if (!entries.length) {
+        return report;
+    }
+    try {
+        await browser.storage.local.set(
+            Object.fromEntries(entries.map(e => [e.key, e.value]))
+        );
+    } catch (ex) {
+        // Nothing has been written, keep the legacy prefs.
+        for (let { pref, key } of entries) {
+            failed.push({ pref, key, error: ex.message });
+        }
+        return report;
+    }
+
+    for (let { pref, key, value } of entries) {
+        if (options.clearAfter) {
+            await browser.LegacyPrefs.clearUserPref(pref);
+        }
+        report.moved.push({ pref, key, value });
+    }
+    return report;
+}
+
+// Run migrateBranch() only once, the returned report is null if the migration
+// has already been done before.
+export async function migrateLegacyPrefs(branch, options = {}) {
+    let flag = `legacyPrefsMigrated:${branch}`;
+    let rv = await browser.storage.local.get({ [flag]: false });
+    if (rv[flag]) {
+        return null;
+    }
+
+    let report = await migrateBranch(branch, options);
+    // Retry on next startup, if something went wrong.
+    if (report.failed.length == 0) {
+        await browser.storage.local.set({ [flag]: true });
+    }
+    return report;
+}